@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMarketplace, sendJson, makeHome, makeIde, runCli } from './helpers.js';
+
+const INSTALLED = { xmlId: 'org.rust.lang', name: 'Rust', version: '1.0' };
+
+/**
+ * Serve one plugin whose update list fails with `failures` before it succeeds
+ * @param {Array<Function>} failures - Each one answers a request for the update list
+ */
+function flakyMarketplace(failures) {
+  const pending = [...failures];
+  return (req, res, url) => {
+    if (url.pathname === '/api/searchPlugins') {
+      return sendJson(res, { plugins: [{ id: 1, xmlId: 'org.rust.lang', name: 'Rust' }] });
+    }
+    if (url.pathname === '/api/plugins/1/updates') {
+      if (pending.length > 0) return pending.shift()(res);
+      return sendJson(res, [{ id: 102, version: '2.0', since: '241.0', until: '242.*', channel: '' }]);
+    }
+    sendJson(res, {}, 404);
+  };
+}
+
+/**
+ * Answer with 429 Too Many Requests
+ * @param {string} [retryAfter] - Retry-After header value
+ */
+const tooManyRequests = retryAfter => (res) => {
+  if (retryAfter) res.setHeader('retry-after', retryAfter);
+  sendJson(res, {}, 429);
+};
+
+const serverError = res => sendJson(res, {}, 503);
+
+/**
+ * Requests for the update list, in the order they arrived
+ */
+const updateRequests = marketplace => marketplace.requests.filter(r => r.path === '/api/plugins/1/updates');
+
+test('a 429 is retried after the Retry-After delay', async (t) => {
+  const marketplace = await startMarketplace(flakyMarketplace([tooManyRequests('1')]));
+  t.after(marketplace.close);
+  const home = makeHome();
+  const ide = makeIde(home, [INSTALLED]);
+
+  const result = await runCli(['outdated', '--ide', ide, '--json'], { home, marketplace: marketplace.url });
+
+  assert.equal(result.code, 0, result.stderr);
+  assert.deepEqual(result.json.ides[0].outdated.map(p => [p.xmlId, p.current, p.available]), [['org.rust.lang', '1.0', '2.0']]);
+  const [first, second] = updateRequests(marketplace);
+  assert.ok(second, 'the request was retried');
+  assert.ok(second.time - first.time >= 900, `retried after ${second.time - first.time}ms`);
+});
+
+test('server errors are retried with backoff', async (t) => {
+  const marketplace = await startMarketplace(flakyMarketplace([serverError, serverError]));
+  t.after(marketplace.close);
+  const home = makeHome();
+  const ide = makeIde(home, [INSTALLED]);
+
+  const result = await runCli(['outdated', '--ide', ide, '--json'], { home, marketplace: marketplace.url });
+
+  assert.equal(result.code, 0, result.stderr);
+  assert.equal(result.json.ides[0].outdated.length, 1);
+  const requests = updateRequests(marketplace);
+  assert.equal(requests.length, 3);
+  // The second retry waits longer than the first
+  assert.ok(requests[2].time - requests[1].time >= requests[1].time - requests[0].time - 50);
+});
+
+test('retries give up after the retry limit', async (t) => {
+  const marketplace = await startMarketplace(flakyMarketplace([serverError, serverError, serverError, serverError]));
+  t.after(marketplace.close);
+  const home = makeHome();
+  const ide = makeIde(home, [INSTALLED]);
+
+  const result = await runCli(['outdated', '--ide', ide, '--json'], { home, marketplace: marketplace.url });
+
+  assert.deepEqual(result.json.ides[0].unknown, ['org.rust.lang']);
+  assert.equal(updateRequests(marketplace).length, 3);
+});
+
+test('a Retry-After beyond the limit fails that request without pausing the host', async (t) => {
+  const marketplace = await startMarketplace(async (req, res, url) => {
+    if (url.pathname === '/api/searchPlugins') {
+      const query = url.searchParams.get('search');
+      // Answer the second plugin's lookup after the first one has been refused
+      if (query === 'org.toml.lang') await new Promise(resolve => setTimeout(resolve, 300));
+      return sendJson(res, { plugins: [
+        { id: 1, xmlId: 'org.rust.lang', name: 'Rust' },
+        { id: 2, xmlId: 'org.toml.lang', name: 'TOML' },
+      ].filter(p => p.xmlId === query) });
+    }
+    if (url.pathname === '/api/plugins/1/updates') return tooManyRequests('3600')(res);
+    if (url.pathname === '/api/plugins/2/updates') {
+      return sendJson(res, [{ id: 202, version: '2.0', since: '241.0', until: '242.*', channel: '' }]);
+    }
+    sendJson(res, {}, 404);
+  });
+  t.after(marketplace.close);
+  const home = makeHome();
+  const ide = makeIde(home, [INSTALLED, { xmlId: 'org.toml.lang', name: 'TOML', version: '1.0' }]);
+
+  const started = Date.now();
+  const result = await runCli(['outdated', '--ide', ide, '--json'], { home, marketplace: marketplace.url });
+
+  assert.ok(Date.now() - started < 20000, 'the run was not held up by the Retry-After');
+  assert.equal(result.code, 0, result.stderr);
+  assert.deepEqual(result.json.ides[0].unknown, ['org.rust.lang']);
+  assert.deepEqual(result.json.ides[0].outdated.map(p => p.xmlId), ['org.toml.lang']);
+  assert.equal(updateRequests(marketplace).length, 1);
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMarketplace, sendJson, makeHome, makeIde, runCli } from './helpers.js';
+
+/**
+ * Serve org.rust.lang with one update per since/until range
+ * @param {Array<[string, string]>} ranges - since-build and until-build of each update
+ */
+function marketplaceWithRanges(ranges) {
+  return (req, res, url) => {
+    if (url.pathname === '/api/searchPlugins') {
+      return sendJson(res, { plugins: [{ id: 1, xmlId: 'org.rust.lang', name: 'Rust' }] });
+    }
+    if (url.pathname === '/api/plugins/1/updates') {
+      return sendJson(res, ranges.map(([since, until], i) => ({ id: 100 + i, version: `1.${i}`, since, until, channel: '' })));
+    }
+    sendJson(res, {}, 404);
+  };
+}
+
+/**
+ * List which of the ranges `pin` reports as compatible with an IDE of the given build
+ * @returns {Promise<Array<boolean>>} One entry per range
+ */
+async function checkRanges(t, buildNumber, ranges) {
+  const marketplace = await startMarketplace(marketplaceWithRanges(ranges));
+  t.after(marketplace.close);
+  const home = makeHome();
+  const ide = makeIde(home, [], { buildNumber });
+  const added = await runCli(['add', 'org.rust.lang', '--skip-deps'], { home, marketplace: marketplace.url });
+  assert.equal(added.code, 0, added.stderr);
+
+  const result = await runCli(['pin', 'org.rust.lang', '--ide', ide, '--json'], { home, marketplace: marketplace.url });
+  assert.equal(result.code, 0, result.stderr);
+  assert.equal(result.json.build, `IU-${buildNumber}`);
+  return result.json.versions.map(v => v.compatible);
+}
+
+test('since-build and until-build are inclusive', async (t) => {
+  const compatible = await checkRanges(t, '241.15989.150', [
+    ['241.15989.150', ''],
+    ['241.15989.151', ''],
+    ['', '241.15989.150'],
+    ['', '241.15989.149'],
+    ['233.11799', '241.15989.150'],
+  ]);
+
+  assert.deepEqual(compatible, [true, false, true, false, true]);
+});
+
+test('build components are compared as numbers, not text', async (t) => {
+  const compatible = await checkRanges(t, '241.9999', [
+    ['241.10000', ''],
+    ['241.900', ''],
+    ['', '241.10000'],
+  ]);
+
+  assert.deepEqual(compatible, [false, true, true]);
+});
+
+test('an until-build with a wildcard or fewer components covers the rest of the branch', async (t) => {
+  const compatible = await checkRanges(t, '241.15989.150', [
+    ['241.0', '241.*'],
+    ['', '241'],
+    ['', '241.15989.*'],
+    ['', '240.*'],
+    ['242.0', '242.*'],
+    ['', ''],
+  ]);
+
+  assert.deepEqual(compatible, [true, true, true, false, false, true]);
+});
+
+test('a SNAPSHOT build counts as the newest build of its branch', async (t) => {
+  const compatible = await checkRanges(t, '242.SNAPSHOT', [
+    ['242.20000', '242.*'],
+    ['', '242.20000'],
+    ['243.0', ''],
+  ]);
+
+  assert.deepEqual(compatible, [true, false, false]);
+});
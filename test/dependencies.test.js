@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMarketplace, sendJson, makeHome, makeIde, runCli } from './helpers.js';
+
+// com.example.app needs com.example.lib, which needs com.example.core
+const PLUGINS = [
+  { id: 1, xmlId: 'com.example.app', name: 'App', dependencies: ['com.intellij.modules.platform', 'com.example.lib'] },
+  { id: 2, xmlId: 'com.example.lib', name: 'Lib', dependencies: ['com.example.core'] },
+  { id: 3, xmlId: 'com.example.core', name: 'Core', dependencies: [] },
+];
+
+/**
+ * Serve PLUGINS, each with one update that carries its dependencies
+ */
+function marketplaceHandler(req, res, url) {
+  if (url.pathname === '/api/searchPlugins') {
+    const query = url.searchParams.get('search');
+    return sendJson(res, { plugins: PLUGINS.filter(p => p.xmlId === query).map(({ dependencies, ...p }) => p) });
+  }
+  let match = url.pathname.match(/^\/api\/plugins\/(\d+)\/updates$/);
+  if (match) {
+    return sendJson(res, [{ id: Number(match[1]) * 100, version: '1.0', since: '241.0', until: '242.*', channel: '' }]);
+  }
+  match = url.pathname.match(/^\/api\/updates\/(\d+)00$/);
+  if (match) {
+    const plugin = PLUGINS.find(p => p.id === Number(match[1]));
+    return sendJson(res, { id: plugin.id * 100, dependencies: plugin.dependencies });
+  }
+  sendJson(res, {}, 404);
+}
+
+test('add pulls in missing dependencies, skipping those installed in the target IDE', async (t) => {
+  const marketplace = await startMarketplace(marketplaceHandler);
+  t.after(marketplace.close);
+  const home = makeHome();
+  const ide = makeIde(home, [{ xmlId: 'com.example.core', name: 'Core', version: '1.0' }]);
+
+  const result = await runCli(['add', 'com.example.app', '--ide', ide, '--json'], { home, marketplace: marketplace.url });
+
+  assert.equal(result.code, 0, result.stderr);
+  assert.deepEqual(result.json.plugins.map(p => [p.xmlId, p.requiredBy]), [
+    ['com.example.app', undefined],
+    ['com.example.lib', ['com.example.app']],
+  ]);
+});
+
+test('a dependency installed only in another IDE is still added', async (t) => {
+  const marketplace = await startMarketplace(marketplaceHandler);
+  t.after(marketplace.close);
+  const home = makeHome();
+  const ide = makeIde(home);
+  // A Toolbox install that auto-detection finds, with the dependency installed
+  makeIde(home, [{ xmlId: 'com.example.core', name: 'Core', version: '1.0' }], {
+    dir: '.local/share/JetBrains/Toolbox/apps/intellij-idea-ultimate',
+    dataDirectoryName: 'IntelliJIdea2023.3',
+  });
+
+  const result = await runCli(['add', 'com.example.app', '--ide', ide, '--json'], { home, marketplace: marketplace.url });
+
+  assert.equal(result.code, 0, result.stderr);
+  assert.deepEqual(result.json.plugins.map(p => p.xmlId), ['com.example.app', 'com.example.lib', 'com.example.core']);
+});
+
+test('remove also drops the dependencies only the removed plugin needed', async (t) => {
+  const marketplace = await startMarketplace(marketplaceHandler);
+  t.after(marketplace.close);
+  const home = makeHome();
+  const ide = makeIde(home);
+
+  const added = await runCli(['add', 'com.example.app', '--ide', ide, '--json'], { home, marketplace: marketplace.url });
+  assert.equal(added.json.plugins.length, 3);
+
+  const result = await runCli(['remove', 'com.example.app', '--json'], { home, marketplace: marketplace.url });
+
+  assert.equal(result.code, 0, result.stderr);
+  assert.deepEqual(result.json.orphans.map(p => p.xmlId), ['com.example.lib', 'com.example.core']);
+  assert.deepEqual(result.json.plugins, []);
+});
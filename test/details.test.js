@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { startMarketplace, sendJson, makeHome, makeIde } from './helpers.js';
+
+const CLI = fileURLToPath(new URL('../index.js', import.meta.url));
+
+const DESCRIPTION = [
+  '<h2>Rust   support</h2>',
+  '<p>Adds <b>Rust</b> &amp; Cargo.<br/>Caf&#233; &#x263A;&nbsp;ready.</p>',
+  '<script>alert(1)</script>',
+  '<ul>\n  <li>See <a href="https://example.com/docs">the docs</a></li>\n  <li><a href="https://example.com">https://example.com</a></li>\n</ul>',
+].join('\n');
+
+/**
+ * Serve one plugin with DESCRIPTION as its details
+ */
+function detailsHandler(req, res, url) {
+  if (url.pathname === '/api/searchPlugins') {
+    return sendJson(res, { plugins: [{ id: 1, xmlId: 'org.rust.lang', name: 'Rust', downloads: 10 }] });
+  }
+  if (url.pathname === '/api/plugins/1') {
+    return sendJson(res, { id: 1, xmlId: 'org.rust.lang', name: 'Rust', description: DESCRIPTION });
+  }
+  if (url.pathname === '/api/plugins/1/updates') return sendJson(res, []);
+  sendJson(res, {}, 404);
+}
+
+/**
+ * Start the interactive CLI with its input on a pipe
+ * @param {Object} t - Test context, stops the CLI when the test ends
+ * @param {string} home - Test home directory
+ * @param {string} marketplace - Marketplace base URL
+ * @returns {{send: Function, waitFor: Function}} Write keys, and wait until the output matches a pattern
+ */
+function startInteractiveCli(t, home, marketplace) {
+  const child = spawn(process.execPath, [CLI], { cwd: home, env: { ...process.env, HOME: home, JB_PLUGINS_MARKETPLACE_URL: marketplace } });
+  t.after(() => child.kill());
+  let output = '';
+  child.stdout.on('data', (data) => { output += data; });
+
+  return {
+    send: keys => child.stdin.write(keys),
+    waitFor: async (pattern) => {
+      for (let i = 0; i < 300; i++) {
+        const plain = output.replace(/\x1b\[[0-9;]*[A-Za-z]/g, '');
+        const match = plain.match(pattern);
+        if (match) return match;
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+      throw new Error(`Timed out waiting for ${pattern}:\n${output}`);
+    },
+  };
+}
+
+test('the details pane shows the description as plain text', async (t) => {
+  const marketplace = await startMarketplace(detailsHandler);
+  t.after(marketplace.close);
+  const home = makeHome();
+  makeIde(home);
+  const cli = startInteractiveCli(t, home, marketplace.url);
+
+  await cli.waitFor(/Enter option number:/);
+  cli.send('1\n');
+  await cli.waitFor(/Rust/);
+  cli.send('\x1b[C');
+  const [, description] = await cli.waitFor(/ {2}─+\n([\s\S]*?)\n {2}─+\n/);
+
+  assert.deepEqual(description.split('\n').map(line => line.slice(2)), [
+    'Rust support',
+    '',
+    'Adds Rust & Cargo.',
+    'Café ☺ ready.',
+    '',
+    '  • See the docs (https://example.com/docs)',
+    '  • https://example.com',
+  ]);
+});
@@ -0,0 +1,208 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { startMarketplace, sendJson, makeHome, makePluginArchive, runCli } from './helpers.js';
+
+const ARCHIVE = makePluginArchive({ xmlId: 'org.rust.lang', name: 'Rust', version: '2.0' });
+const FILE_PATH = '/files/101/Rust-2.0.zip';
+
+/**
+ * Serve one plugin with a single update, honouring Range requests for the archive
+ */
+function marketplaceHandler(req, res, url) {
+  if (url.pathname === '/api/searchPlugins') {
+    return sendJson(res, { plugins: [{ id: 1, xmlId: 'org.rust.lang', name: 'Rust', vendor: { name: 'JetBrains' } }] });
+  }
+  if (url.pathname === '/api/plugins/1/updates') {
+    return sendJson(res, [{ id: 101, version: '2.0', since: '241.0', until: '242.*', channel: '' }]);
+  }
+  if (url.pathname === '/api/updates/101') {
+    return sendJson(res, { id: 101, size: ARCHIVE.length, dependencies: [] });
+  }
+  if (url.pathname === '/plugin/download' && url.searchParams.get('updateId') === '101') {
+    res.statusCode = 302;
+    res.setHeader('location', FILE_PATH);
+    return res.end();
+  }
+  if (url.pathname === FILE_PATH) {
+    const range = req.headers.range?.match(/^bytes=(\d+)-$/);
+    const start = range ? Number(range[1]) : 0;
+    if (range) {
+      res.statusCode = 206;
+      res.setHeader('content-range', `bytes ${start}-${ARCHIVE.length - 1}/${ARCHIVE.length}`);
+    }
+    res.setHeader('content-length', ARCHIVE.length - start);
+    return res.end(ARCHIVE.subarray(start));
+  }
+  sendJson(res, {}, 404);
+}
+
+/**
+ * Insert a signing block between the last entry and the central directory of a zip archive
+ * @param {Buffer} archive - Zip archive without a signing block
+ * @param {string} magic - 16-byte magic that ends the block
+ * @returns {Buffer} Archive with the block and its central directory offset moved past it
+ */
+function withSigningBlock(archive, magic) {
+  const eocd = archive.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const cdOffset = archive.readUInt32LE(eocd + 16);
+  const data = Buffer.alloc(32, 0xab);
+  const block = Buffer.alloc(8 + data.length + 8 + 16);
+  const blockSize = BigInt(block.length - 8);
+  block.writeBigUInt64LE(blockSize, 0);
+  data.copy(block, 8);
+  block.writeBigUInt64LE(blockSize, 8 + data.length);
+  block.write(magic, 16 + data.length, 'latin1');
+
+  const signed = Buffer.concat([archive.subarray(0, cdOffset), block, archive.subarray(cdOffset)]);
+  signed.writeUInt32LE(cdOffset + block.length, eocd + block.length + 16);
+  return signed;
+}
+
+/**
+ * Serve `archive` in place of the default one
+ * @param {Buffer} archive - Archive to serve
+ * @param {Object} [metadata] - Update metadata to publish for it
+ */
+function serveArchive(archive, metadata = { size: archive.length }) {
+  return (req, res, url) => {
+    if (url.pathname === '/api/updates/101') return sendJson(res, { id: 101, ...metadata, dependencies: [] });
+    if (url.pathname === FILE_PATH) return res.end(archive);
+    return marketplaceHandler(req, res, url);
+  };
+}
+
+/**
+ * Put org.rust.lang in the basket of a fresh home directory
+ * @returns {Promise<string>} Home directory
+ */
+async function homeWithBasket(marketplace) {
+  const home = makeHome();
+  const result = await runCli(['add', 'org.rust.lang', '--skip-deps', '--json'], { home, marketplace: marketplace.url });
+  assert.equal(result.code, 0, result.stderr);
+  return home;
+}
+
+test('download unpacks the basket into the plugins directory', async (t) => {
+  const marketplace = await startMarketplace(marketplaceHandler);
+  t.after(marketplace.close);
+  const home = await homeWithBasket(marketplace);
+  const pluginsDir = path.join(home, 'plugins');
+
+  const result = await runCli(['download', '--plugins-dir', pluginsDir, '--allow-unsigned', '--json'], { home, marketplace: marketplace.url });
+
+  assert.equal(result.code, 0, result.stderr);
+  const [plugin] = result.json.results;
+  assert.equal(plugin.status, 'installed');
+  assert.equal(plugin.resumed, false);
+  assert.equal(plugin.verification.size, ARCHIVE.length);
+  assert.ok(fs.existsSync(path.join(pluginsDir, 'Rust', 'lib', 'Rust.jar')));
+  // The finished download is cleaned up
+  assert.deepEqual(fs.readdirSync(path.join(home, '.jb-plugins', 'downloads')), []);
+});
+
+test('download resumes a partial archive with a Range request', async (t) => {
+  const marketplace = await startMarketplace(marketplaceHandler);
+  t.after(marketplace.close);
+  const home = await homeWithBasket(marketplace);
+  const pluginsDir = path.join(home, 'plugins');
+
+  // Leave half the archive where an interrupted download would have
+  const archiveUrl = `${marketplace.url}${FILE_PATH}`;
+  const downloadDir = path.join(home, '.jb-plugins', 'downloads', crypto.createHash('sha1').update(archiveUrl).digest('hex').slice(0, 12));
+  const half = Math.floor(ARCHIVE.length / 2);
+  fs.mkdirSync(downloadDir, { recursive: true });
+  fs.writeFileSync(path.join(downloadDir, 'Rust-2.0.zip.part'), ARCHIVE.subarray(0, half));
+
+  const result = await runCli(['download', '--plugins-dir', pluginsDir, '--allow-unsigned', '--json'], { home, marketplace: marketplace.url });
+
+  assert.equal(result.code, 0, result.stderr);
+  const [plugin] = result.json.results;
+  assert.equal(plugin.status, 'installed');
+  assert.equal(plugin.resumed, true);
+  assert.equal(plugin.verification.size, ARCHIVE.length);
+  // The last request for the archive is the download itself; earlier ones follow the redirect
+  const fileRequests = marketplace.requests.filter(r => r.path === FILE_PATH);
+  assert.equal(fileRequests.at(-1).headers.range, `bytes=${half}-`);
+  assert.ok(fs.existsSync(path.join(pluginsDir, 'Rust', 'lib', 'Rust.jar')));
+});
+
+test('download refuses an archive whose size differs from the metadata', async (t) => {
+  const marketplace = await startMarketplace((req, res, url) => {
+    if (url.pathname === '/api/updates/101') {
+      return sendJson(res, { id: 101, size: ARCHIVE.length + 1, dependencies: [] });
+    }
+    return marketplaceHandler(req, res, url);
+  });
+  t.after(marketplace.close);
+  const home = await homeWithBasket(marketplace);
+  const pluginsDir = path.join(home, 'plugins');
+
+  const result = await runCli(['download', '--plugins-dir', pluginsDir, '--allow-unsigned', '--json'], { home, marketplace: marketplace.url });
+
+  assert.equal(result.code, 1);
+  assert.equal(result.json.results[0].status, 'failed');
+  assert.match(result.json.results[0].error, /size is \d+ bytes/);
+  assert.ok(!fs.existsSync(path.join(pluginsDir, 'Rust')));
+});
+
+test('a signing block is reported as present but not verified', async (t) => {
+  const marketplace = await startMarketplace(serveArchive(withSigningBlock(ARCHIVE, 'APK Sig Block 42')));
+  t.after(marketplace.close);
+  const home = await homeWithBasket(marketplace);
+  const pluginsDir = path.join(home, 'plugins');
+
+  const result = await runCli(['download', '--plugins-dir', pluginsDir, '--json'], { home, marketplace: marketplace.url });
+
+  assert.equal(result.code, 0, result.stderr);
+  assert.equal(result.json.results[0].status, 'installed');
+  assert.equal(result.json.results[0].verification.signature, 'unverified');
+  assert.equal(result.json.results[0].verification.signed, undefined);
+});
+
+test('a block without the signing block magic does not count as a signature', async (t) => {
+  const marketplace = await startMarketplace(serveArchive(withSigningBlock(ARCHIVE, 'not a signature!')));
+  t.after(marketplace.close);
+  const home = await homeWithBasket(marketplace);
+  const pluginsDir = path.join(home, 'plugins');
+
+  const result = await runCli(['download', '--plugins-dir', pluginsDir, '--json'], { home, marketplace: marketplace.url });
+
+  assert.equal(result.code, 1);
+  assert.equal(result.json.results[0].verification.signature, 'missing');
+  assert.match(result.json.results[0].error, /not signed/);
+  assert.ok(!fs.existsSync(path.join(pluginsDir, 'Rust')));
+});
+
+test('an archive with an unverified signing block and no published size is refused', async (t) => {
+  const marketplace = await startMarketplace(serveArchive(withSigningBlock(ARCHIVE, 'APK Sig Block 42'), {}));
+  t.after(marketplace.close);
+  const home = await homeWithBasket(marketplace);
+  const pluginsDir = path.join(home, 'plugins');
+
+  const result = await runCli(['download', '--plugins-dir', pluginsDir, '--json'], { home, marketplace: marketplace.url });
+
+  assert.equal(result.code, 1);
+  assert.equal(result.json.results[0].verification.signature, 'unverified');
+  assert.match(result.json.results[0].error, /nothing to check it against/);
+  assert.ok(!fs.existsSync(path.join(pluginsDir, 'Rust')));
+});
+
+test('download stops before changing anything when no snapshot can be taken', async (t) => {
+  const marketplace = await startMarketplace(marketplaceHandler);
+  t.after(marketplace.close);
+  const home = await homeWithBasket(marketplace);
+  const pluginsDir = path.join(home, 'plugins');
+  fs.mkdirSync(pluginsDir);
+  // A file where the snapshot directory should be
+  fs.writeFileSync(path.join(home, '.jb-plugins', 'snapshots'), '');
+
+  const result = await runCli(['download', '--plugins-dir', pluginsDir, '--allow-unsigned', '--json'], { home, marketplace: marketplace.url });
+
+  assert.equal(result.code, 1);
+  assert.match(result.json.error, /Could not take a snapshot/);
+  assert.deepEqual(fs.readdirSync(pluginsDir), []);
+  assert.ok(!marketplace.requests.some(r => r.path === FILE_PATH));
+});
@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMarketplace, sendJson, makeHome, makeIde, runCli } from './helpers.js';
+
+const EVIL_NAME = 'Evil\ntouch /tmp/pwned\r\nrm -rf ~ \\';
+
+test('plugin names cannot break out of export comments', async (t) => {
+  const marketplace = await startMarketplace((req, res, url) => {
+    if (url.pathname === '/api/searchPlugins') {
+      return sendJson(res, { plugins: [{ id: 1, xmlId: 'com.example.evil', name: EVIL_NAME }] });
+    }
+    sendJson(res, {}, 404);
+  });
+  t.after(marketplace.close);
+  const home = makeHome();
+  const ide = makeIde(home);
+  const added = await runCli(['add', 'com.example.evil', '--skip-deps', '--json'], { home, marketplace: marketplace.url });
+  assert.equal(added.code, 0, added.stderr);
+
+  for (const format of ['bash', 'powershell', 'dockerfile', 'ansible', 'makefile']) {
+    const result = await runCli(['export', format, '--ide', ide, '--json'], { home, marketplace: marketplace.url });
+
+    assert.equal(result.code, 0, result.stderr);
+    const lines = result.json.content.split('\n');
+    assert.ok(!lines.some(line => /^\s*(touch \/tmp\/pwned|rm -rf)/.test(line)), `${format}:\n${result.json.content}`);
+    if (format === 'makefile') {
+      assert.ok(!lines.some(line => line.startsWith('#') && line.endsWith('\\')), result.json.content);
+    }
+  }
+});
@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { startMarketplace, sendJson, makeHome, runCli } from './helpers.js';
+
+/**
+ * Know no plugins, so added ones keep their bare IDs
+ */
+function emptyMarketplace(req, res) {
+  sendJson(res, { plugins: [] });
+}
+
+/**
+ * Create a project .idea directory in the test home, which is the CLI's working directory
+ * @param {string} home - Test home directory
+ * @param {string} [xml] - Contents of externalDependencies.xml, if it should exist
+ * @returns {string} externalDependencies.xml path
+ */
+function makeProject(home, xml) {
+  const file = path.join(home, '.idea', 'externalDependencies.xml');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  if (xml !== undefined) fs.writeFileSync(file, xml);
+  return file;
+}
+
+test('import-idea reads the required plugins in file order, ignoring comments and other components', async (t) => {
+  const marketplace = await startMarketplace(emptyMarketplace);
+  t.after(marketplace.close);
+  const home = makeHome();
+  makeProject(home, [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<project version="4">',
+    '  <component name="Other">',
+    '    <plugin id="not.this.one" />',
+    '  </component>',
+    '  <component name="ExternalDependencies">',
+    '    <plugin id="org.rust.lang" />',
+    '    <!-- <plugin id="commented.out" /> -->',
+    '    <plugin min-version="1.0" id="com.example.a&amp;b"/>',
+    '  </component>',
+    '</project>',
+  ].join('\n'));
+
+  const result = await runCli(['import-idea', '--skip-deps', '--json'], { home, marketplace: marketplace.url });
+
+  assert.equal(result.code, 0, result.stderr);
+  assert.deepEqual(result.json.added.map(p => p.xmlId), ['org.rust.lang', 'com.example.a&b']);
+});
+
+test('export-idea adds missing plugins without touching the rest of the file', async (t) => {
+  const marketplace = await startMarketplace(emptyMarketplace);
+  t.after(marketplace.close);
+  const home = makeHome();
+  const original = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<project version="4">',
+    '\t<component name="ExternalDependencies">',
+    '\t\t<!-- Needed for the build -->',
+    '\t\t<plugin id="org.rust.lang"   min-version="0.4" />',
+    '\t</component>',
+    '\t<component name="Other" value="kept" />',
+    '</project>',
+    '',
+  ].join('\r\n');
+  const file = makeProject(home, original);
+  await runCli(['add', 'org.rust.lang', 'org.toml.lang', '--skip-deps'], { home, marketplace: marketplace.url });
+
+  const result = await runCli(['export-idea', '--json'], { home, marketplace: marketplace.url });
+
+  assert.equal(result.code, 0, result.stderr);
+  assert.deepEqual(result.json.added, ['org.toml.lang']);
+  assert.equal(fs.readFileSync(file, 'utf-8'), original.replace(
+    '\t\t<plugin id="org.rust.lang"   min-version="0.4" />\r\n',
+    '\t\t<plugin id="org.rust.lang"   min-version="0.4" />\r\n\t\t<plugin id="org.toml.lang" />\r\n',
+  ));
+
+  // Running it again changes nothing
+  const again = await runCli(['export-idea', '--json'], { home, marketplace: marketplace.url });
+  assert.deepEqual(again.json.added, []);
+});
+
+test('export-idea fills an empty component and creates a missing file', async (t) => {
+  const marketplace = await startMarketplace(emptyMarketplace);
+  t.after(marketplace.close);
+
+  const home = makeHome();
+  const file = makeProject(home, '<project version="4">\n  <component name="ExternalDependencies" />\n</project>\n');
+  await runCli(['add', 'org.rust.lang', '--skip-deps'], { home, marketplace: marketplace.url });
+  await runCli(['export-idea', '--json'], { home, marketplace: marketplace.url });
+  assert.equal(fs.readFileSync(file, 'utf-8'), [
+    '<project version="4">',
+    '  <component name="ExternalDependencies">',
+    '    <plugin id="org.rust.lang" />',
+    '  </component>',
+    '</project>',
+    '',
+  ].join('\n'));
+
+  const fresh = makeHome();
+  const freshFile = makeProject(fresh);
+  await runCli(['add', 'org.rust.lang', '--skip-deps'], { home: fresh, marketplace: marketplace.url });
+  await runCli(['export-idea', '--json'], { home: fresh, marketplace: marketplace.url });
+  const created = await runCli(['import-idea', '--skip-deps', '--json'], { home: fresh, marketplace: marketplace.url });
+  assert.ok(fs.existsSync(freshFile));
+  assert.deepEqual(created.json.skipped, ['org.rust.lang']);
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { makeHome, runCli } from './helpers.js';
+
+// IDs that a shell would otherwise split, expand or run
+const TRICKY_IDS = ['org.rust.lang', 'it\'s', 'a b', '$HOME', '`id`', '$(id)', '=x', '*', 'semi;colon', 'back\\slash', 'new\nline', '%PATH%', '!bang', '#hash'];
+
+/**
+ * Write a project manifest with plugins given by ID
+ * @param {string} home - Test home directory, the CLI's working directory
+ * @param {Array<string>} ids - Plugin IDs
+ */
+function writeManifest(home, ids) {
+  fs.writeFileSync(path.join(home, 'jb-plugins.json'), JSON.stringify({ plugins: ids }));
+}
+
+/**
+ * Generate the install command for a shell
+ * @param {string} home - Test home directory
+ * @param {string} ide - Launcher path
+ * @param {string} shell - Value for --shell
+ * @param {Object} [env] - Extra environment variables
+ * @returns {Promise<string>} The command
+ */
+async function generate(home, ide, shell, env = {}) {
+  const result = await runCli(['generate', '--ide', ide, '--shell', shell, '--json'], { home, marketplace: 'http://127.0.0.1:9', env });
+  assert.equal(result.code, 0, result.stderr);
+  return result.json.command;
+}
+
+test('POSIX shells receive every plugin ID unchanged', async () => {
+  const home = makeHome();
+  writeManifest(home, TRICKY_IDS);
+  // A launcher in an awkward directory that prints its arguments
+  const launcher = path.join(home, 'my ide\'s $dir', 'bin', 'idea.sh');
+  fs.mkdirSync(path.dirname(launcher), { recursive: true });
+  fs.writeFileSync(launcher, '#!/bin/sh\nfor arg in "$@"; do printf \'%s\\0\' "$arg"; done\n', { mode: 0o755 });
+
+  const command = await generate(home, launcher, 'bash');
+  // zsh isn't installed everywhere; it would expand a bare leading =
+  assert.match(command, / '=x' /);
+  for (const shell of ['bash', 'sh']) {
+    const output = execFileSync(shell, ['-c', command], { cwd: home, encoding: 'utf-8' });
+    assert.deepEqual(output.split('\0').slice(0, -1), ['installPlugins', ...TRICKY_IDS], `${shell}: ${command}`);
+  }
+});
+
+test('fish, PowerShell and cmd.exe words are quoted for that shell', async () => {
+  const home = makeHome();
+  writeManifest(home, ['org.rust.lang', 'it\'s', 'back\\slash', 'it\u2019s', '100%', 'say "hi"']);
+  const ide = '/opt/idea/bin/idea.sh';
+
+  assert.equal(await generate(home, ide, 'fish'), String.raw`/opt/idea/bin/idea.sh installPlugins org.rust.lang 'it\'s' 'back\\slash' 'it’s' 100% 'say "hi"'`);
+  assert.equal(await generate(home, ide, 'pwsh'), String.raw`/opt/idea/bin/idea.sh installPlugins org.rust.lang 'it''s' back\slash 'it’’s' '100%' 'say "hi"'`);
+  assert.equal(await generate(home, ide, 'cmd'), String.raw`/opt/idea/bin/idea.sh installPlugins org.rust.lang "it's" back\slash "it’s" "100"^%"" "say ""hi"""`);
+});
+
+test('Windows shells started from WSL run the launcher by its Windows path', async () => {
+  const home = makeHome();
+  writeManifest(home, ['org.rust.lang']);
+  // Report a WSL kernel to the CLI
+  const preload = path.join(home, 'wsl.mjs');
+  fs.writeFileSync(preload, 'import os from \'os\';\nos.release = () => \'5.15.153.1-microsoft-standard-WSL2\';\n');
+  const env = { NODE_OPTIONS: `--import=${preload}`, WSL_DISTRO_NAME: 'Ubuntu' };
+  const windowsIde = '/mnt/c/Program Files/JetBrains/IDEA/bin/idea64.exe';
+
+  assert.equal(await generate(home, windowsIde, 'powershell', env), String.raw`& 'C:\Program Files\JetBrains\IDEA\bin\idea64.exe' installPlugins org.rust.lang`);
+  assert.equal(await generate(home, windowsIde, 'cmd', env), String.raw`"C:\Program Files\JetBrains\IDEA\bin\idea64.exe" installPlugins org.rust.lang`);
+  assert.equal(await generate(home, '/mnt/d', 'cmd', env), String.raw`D:\ installPlugins org.rust.lang`);
+  // Files inside the distribution are reached through its network share
+  assert.equal(await generate(home, '/opt/idea/bin/idea.sh', 'powershell', env), String.raw`\\wsl.localhost\Ubuntu\opt\idea\bin\idea.sh installPlugins org.rust.lang`);
+  assert.equal(await generate(home, '/opt/idea/bin/idea.sh', 'bash', env), '/opt/idea/bin/idea.sh installPlugins org.rust.lang');
+});
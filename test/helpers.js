@@ -0,0 +1,148 @@
+/**
+ * Shared fixtures for the CLI tests: a stand-in marketplace, a throwaway home directory and
+ * a runner for the jb-plugins command.
+ */
+
+import http from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { fileURLToPath } from 'url';
+import AdmZip from 'adm-zip';
+
+const CLI = fileURLToPath(new URL('../index.js', import.meta.url));
+
+/**
+ * Start a local stand-in for the marketplace
+ * @param {Function} handler - Called with (req, res, url) for every request
+ * @returns {Promise<{url: string, requests: Array, close: Function}>} Base URL, the requests received so far
+ *   ({method, path, query, headers, time}) and a function that stops the server
+ */
+export async function startMarketplace(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push({ method: req.method, path: url.pathname, query: url.searchParams, headers: req.headers, time: Date.now() });
+    Promise.resolve(handler(req, res, url)).catch((error) => {
+      res.statusCode = 500;
+      res.end(String(error));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {*} data - Body
+ * @param {number} [status=200] - Status code
+ */
+export function sendJson(res, data, status = 200) {
+  res.statusCode = status;
+  res.setHeader('content-type', 'application/json');
+  res.end(JSON.stringify(data));
+}
+
+/**
+ * Create an empty home directory for one test, removed when the process exits
+ * @returns {string} Directory path
+ */
+export function makeHome() {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'jb-plugins-test-'));
+  process.on('exit', () => fs.rmSync(home, { recursive: true, force: true }));
+  return home;
+}
+
+/**
+ * Run the CLI against a stand-in marketplace
+ * @param {Array<string>} args - Command line arguments
+ * @param {Object} options
+ * @param {string} options.home - Home directory for config, cache and downloads
+ * @param {string} options.marketplace - Marketplace base URL
+ * @param {Object} [options.env] - Extra environment variables
+ * @returns {Promise<{code: number, stdout: string, stderr: string, json: *}>} Exit code, output and the parsed --json output
+ */
+export function runCli(args, { home, marketplace, env = {} }) {
+  const childEnv = { ...process.env, HOME: home, USERPROFILE: home, JB_PLUGINS_MARKETPLACE_URL: marketplace };
+  // Keep every data directory under the test home and requests away from any real proxy
+  for (const name of ['XDG_DATA_HOME', 'XDG_CONFIG_HOME', 'XDG_CACHE_HOME', 'HTTPS_PROXY', 'https_proxy', 'HTTP_PROXY', 'http_proxy', 'NO_PROXY', 'no_proxy']) {
+    delete childEnv[name];
+  }
+  Object.assign(childEnv, env);
+
+  return new Promise((resolve) => {
+    execFile(process.execPath, [CLI, ...args], { cwd: home, env: childEnv, timeout: 60000 }, (error, stdout, stderr) => {
+      let json = null;
+      try {
+        json = JSON.parse(stdout);
+      } catch { /* not --json output */ }
+      resolve({ code: error ? error.code : 0, stdout, stderr, json });
+    });
+  });
+}
+
+/**
+ * Build a plugin archive laid out like a marketplace download: <Name>/lib/<Name>.jar
+ * @param {Object} plugin
+ * @param {string} plugin.xmlId - Plugin ID written to plugin.xml
+ * @param {string} plugin.name - Plugin name, also used for the directory and jar
+ * @param {string} plugin.version - Plugin version
+ * @param {Array<string>} [plugin.depends] - IDs of required plugins
+ * @returns {Buffer} Zip archive
+ */
+export function makePluginArchive({ xmlId, name, version, depends = [] }) {
+  const jar = new AdmZip();
+  const dependsXml = depends.map(id => `<depends>${id}</depends>`).join('');
+  jar.addFile('META-INF/plugin.xml', Buffer.from(
+    `<idea-plugin><id>${xmlId}</id><name>${name}</name><version>${version}</version>${dependsXml}</idea-plugin>`,
+  ));
+  const zip = new AdmZip();
+  zip.addFile(`${name}/lib/${name}.jar`, jar.toBuffer());
+  return zip.toBuffer();
+}
+
+/**
+ * Create a fake IDE installation with product-info.json, and install plugins into its plugins directory
+ * @param {string} home - Test home directory
+ * @param {Array<Object>} [plugins] - Plugins to install, as for makePluginArchive
+ * @param {Object} [options]
+ * @param {string} [options.dir='ide'] - Install directory relative to the home directory
+ * @param {string} [options.dataDirectoryName='IntelliJIdea2024.1'] - Name of its config and plugins directories
+ * @param {Array<Object>} [options.bundled] - Plugins shipped with the IDE, as for makePluginArchive
+ * @param {string} [options.buildNumber='241.15989.150'] - IDE build, without the product code
+ * @returns {string} Launcher path to pass as --ide
+ */
+export function makeIde(home, plugins = [], {
+  dir = 'ide',
+  dataDirectoryName = 'IntelliJIdea2024.1',
+  bundled = [],
+  buildNumber = '241.15989.150',
+} = {}) {
+  const ideHome = path.join(home, dir);
+  fs.mkdirSync(path.join(ideHome, 'bin'), { recursive: true });
+  fs.writeFileSync(path.join(ideHome, 'product-info.json'), JSON.stringify({
+    name: 'IntelliJ IDEA',
+    productCode: 'IU',
+    buildNumber,
+    dataDirectoryName,
+  }));
+  const launcher = path.join(ideHome, 'bin', 'idea.sh');
+  fs.writeFileSync(launcher, '#!/bin/sh\nexit 0\n', { mode: 0o755 });
+  for (const plugin of bundled) {
+    new AdmZip(makePluginArchive(plugin)).extractAllTo(path.join(ideHome, 'plugins'), true);
+  }
+
+  // Where Linux IDEs keep user-installed plugins
+  const pluginsDir = path.join(home, '.local', 'share', 'JetBrains', dataDirectoryName);
+  for (const plugin of plugins) {
+    new AdmZip(makePluginArchive(plugin)).extractAllTo(pluginsDir, true);
+  }
+  return launcher;
+}
@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import net from 'net';
+import path from 'path';
+import { spawn } from 'child_process';
+import { startMarketplace, sendJson, makeHome, makeIde, runCli } from './helpers.js';
+
+/**
+ * Know one plugin, org.rust.lang
+ */
+function marketplaceHandler(req, res, url) {
+  if (url.pathname === '/api/searchPlugins') {
+    return sendJson(res, { plugins: [{ id: 1, xmlId: 'org.rust.lang', name: 'Rust' }] });
+  }
+  sendJson(res, {}, 404);
+}
+
+/**
+ * Make the fake IDE look running: listen on a port and name it in the IDE's .port file
+ * @param {string} home - Test home directory
+ * @returns {Promise<net.Server>} Server to close when the test ends
+ */
+async function startRunningIde(home) {
+  const server = net.createServer(socket => socket.end());
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const systemDir = path.join(home, '.cache', 'JetBrains', 'IntelliJIdea2024.1');
+  fs.mkdirSync(systemDir, { recursive: true });
+  fs.writeFileSync(path.join(systemDir, '.port'), String(server.address().port));
+  return server;
+}
+
+/**
+ * Run a shell script that keeps going until the test ends, standing in for an IDE process
+ * @param {Object} t - Test context
+ * @param {string} script - Path to write the script to
+ */
+function startScriptProcess(t, script) {
+  fs.mkdirSync(path.dirname(script), { recursive: true });
+  fs.writeFileSync(script, 'while :; do sleep 1; done\n', { mode: 0o755 });
+  const child = spawn('/bin/sh', [script], { stdio: 'ignore' });
+  t.after(() => child.kill());
+}
+
+/**
+ * Set up a home with a basket, a fake IDE that is running, and the marketplace
+ */
+async function setUp(t) {
+  const marketplace = await startMarketplace(marketplaceHandler);
+  t.after(marketplace.close);
+  const home = makeHome();
+  const ide = makeIde(home);
+  const server = await startRunningIde(home);
+  t.after(() => server.close());
+  const added = await runCli(['add', 'org.rust.lang', '--skip-deps'], { home, marketplace: marketplace.url });
+  assert.equal(added.code, 0, added.stderr);
+  return { home, ide, marketplace: marketplace.url };
+}
+
+test('install refuses to run while the IDE is running', async (t) => {
+  const { home, ide, marketplace } = await setUp(t);
+
+  const result = await runCli(['install', '--ide', ide, '--json'], { home, marketplace });
+
+  assert.equal(result.code, 4);
+  assert.match(result.json.running.via, /\.port$/);
+});
+
+test('install --wait-timeout gives up while the IDE is still running', async (t) => {
+  const { home, ide, marketplace } = await setUp(t);
+
+  const started = Date.now();
+  const result = await runCli(['install', '--ide', ide, '--wait-timeout', '1', '--json'], { home, marketplace });
+
+  assert.equal(result.code, 4);
+  assert.equal(result.json.timedOut, true);
+  assert.ok(Date.now() - started < 15000);
+});
+
+test('an invalid --wait-timeout is a usage error', async (t) => {
+  const { home, ide, marketplace } = await setUp(t);
+
+  const result = await runCli(['install', '--ide', ide, '--wait-timeout', 'soon', '--json'], { home, marketplace });
+
+  assert.equal(result.code, 1);
+  assert.match(result.json.error, /Invalid --wait-timeout/);
+});
+
+test('an IDE started from a launcher on PATH is found through the link to its installation', async (t) => {
+  const marketplace = await startMarketplace(marketplaceHandler);
+  t.after(marketplace.close);
+  const home = makeHome();
+  const ide = makeIde(home);
+  const binDir = path.join(home, 'bin');
+  fs.mkdirSync(binDir);
+  fs.symlinkSync(ide, path.join(binDir, 'idea'));
+  startScriptProcess(t, path.join(home, 'ide', 'bin', 'server.sh'));
+  await runCli(['add', 'org.rust.lang', '--skip-deps'], { home, marketplace: marketplace.url });
+
+  const env = { PATH: `${binDir}${path.delimiter}${process.env.PATH}` };
+  const result = await runCli(['install', '--ide', 'idea', '--json'], { home, marketplace: marketplace.url, env });
+
+  assert.equal(result.code, 4, result.stdout);
+  assert.equal(result.json.running.via, 'process list');
+});
+
+test('a launcher on PATH outside any installation is matched by name', async (t) => {
+  const marketplace = await startMarketplace(marketplaceHandler);
+  t.after(marketplace.close);
+  const home = makeHome();
+  const binDir = path.join(home, 'bin');
+  startScriptProcess(t, path.join(binDir, 'idea'));
+  await runCli(['add', 'org.rust.lang', '--skip-deps'], { home, marketplace: marketplace.url });
+
+  const env = { PATH: `${binDir}${path.delimiter}${process.env.PATH}` };
+  const result = await runCli(['install', '--ide', 'idea', '--json'], { home, marketplace: marketplace.url, env });
+
+  assert.equal(result.code, 4, result.stdout);
+  assert.equal(result.json.running.via, 'process list');
+});
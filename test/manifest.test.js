@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { startMarketplace, sendJson, makeHome, makeIde, runCli } from './helpers.js';
+
+// Version 1.0 only supports 2023.x builds; the fake IDE is 2024.1
+const UPDATES = [
+  { id: 102, version: '2.0', since: '241.0', until: '242.*', channel: '' },
+  { id: 101, version: '1.0', since: '231.0', until: '233.*', channel: '' },
+];
+
+/**
+ * Serve org.rust.lang with two updates
+ */
+function marketplaceHandler(req, res, url) {
+  if (url.pathname === '/api/searchPlugins') {
+    return sendJson(res, { plugins: [{ id: 1, xmlId: 'org.rust.lang', name: 'Rust' }] });
+  }
+  if (url.pathname === '/api/plugins/1/updates') return sendJson(res, UPDATES);
+  const match = url.pathname.match(/^\/api\/updates\/(\d+)$/);
+  const update = match && UPDATES.find(u => u.id === Number(match[1]));
+  if (update) return sendJson(res, { ...update, dependencies: [] });
+  sendJson(res, {}, 404);
+}
+
+/**
+ * Write jb-plugins.json into a directory
+ */
+function writeManifest(dir, plugins) {
+  fs.writeFileSync(path.join(dir, 'jb-plugins.json'), JSON.stringify({ plugins }, null, 2));
+}
+
+const readManifest = dir => JSON.parse(fs.readFileSync(path.join(dir, 'jb-plugins.json'), 'utf-8'));
+
+test('pinning in a project manifest saves the supported builds', async (t) => {
+  const marketplace = await startMarketplace(marketplaceHandler);
+  t.after(marketplace.close);
+  const home = makeHome();
+  const ide = makeIde(home);
+  writeManifest(home, [{ id: 'org.rust.lang', name: 'Rust' }]);
+
+  const result = await runCli(['pin', 'org.rust.lang', '2.0', '--ide', ide, '--json'], { home, marketplace: marketplace.url });
+
+  assert.equal(result.code, 0, result.stderr);
+  assert.deepEqual(readManifest(home).plugins, [
+    { id: 'org.rust.lang', name: 'Rust', version: '2.0', updateId: 102, since: '241.0', until: '242.*' },
+  ]);
+});
+
+test('a manifest pin is checked against the IDE build', async (t) => {
+  const marketplace = await startMarketplace(marketplaceHandler);
+  t.after(marketplace.close);
+  const home = makeHome();
+  const ide = makeIde(home);
+  writeManifest(home, [{ id: 'org.rust.lang', name: 'Rust', version: '1.0', updateId: 101, since: '231.0', until: '233.*' }]);
+
+  const result = await runCli(['generate', '--ide', ide, '--json'], { home, marketplace: marketplace.url });
+
+  assert.deepEqual(result.json.incompatible.map(p => [p.xmlId, p.latestVersion]), [['org.rust.lang', '1.0']]);
+  assert.equal(marketplace.requests.length, 0);
+});
+
+test('a manifest pin without its builds has them looked up', async (t) => {
+  const marketplace = await startMarketplace(marketplaceHandler);
+  t.after(marketplace.close);
+  const home = makeHome();
+  const ide = makeIde(home);
+  writeManifest(home, [{ id: 'org.rust.lang', name: 'Rust', version: '1.0', updateId: 101 }]);
+
+  const result = await runCli(['generate', '--ide', ide, '--json'], { home, marketplace: marketplace.url });
+
+  assert.deepEqual(result.json.incompatible.map(p => [p.xmlId, p.since, p.until]), [['org.rust.lang', '231.0', '233.*']]);
+});
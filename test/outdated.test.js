@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMarketplace, sendJson, makeHome, makeIde, runCli } from './helpers.js';
+
+const PLUGINS = [
+  { id: 1, xmlId: 'org.rust.lang', name: 'Rust' },
+  { id: 2, xmlId: 'org.toml.lang', name: 'TOML' },
+  { id: 3, xmlId: 'org.intellij.plugins.markdown', name: 'Markdown' },
+];
+
+// Updates by plugin ID, newest first; the test IDE is build 241.15989.150
+const UPDATES = {
+  1: [
+    { id: 13, version: '3.0', since: '242.0', until: '242.*' },
+    { id: 12, version: '2.0', since: '241.0', until: '241.*', channel: 'eap' },
+    { id: 11, version: '1.0', since: '233.0', until: '241.*' },
+  ],
+  2: [{ id: 21, version: '1.9', since: '233.0', until: null }],
+  3: [{ id: 31, version: '2.0', since: '243.0', until: null }],
+};
+
+/**
+ * Serve PLUGINS and their UPDATES
+ */
+function marketplaceHandler(req, res, url) {
+  if (url.pathname === '/api/searchPlugins') {
+    return sendJson(res, { plugins: PLUGINS.filter(p => p.xmlId === url.searchParams.get('search')) });
+  }
+  const match = url.pathname.match(/^\/api\/plugins\/(\d+)\/updates$/);
+  if (match) return sendJson(res, UPDATES[match[1]]);
+  sendJson(res, {}, 404);
+}
+
+test('outdated lists plugins with a newer version for the IDE build', async (t) => {
+  const marketplace = await startMarketplace(marketplaceHandler);
+  t.after(marketplace.close);
+  const home = makeHome();
+  const ide = makeIde(home, [
+    { xmlId: 'org.rust.lang', name: 'Rust', version: '1.0' },
+    // Versions compare numerically, so 1.10 is newer than 1.9
+    { xmlId: 'org.toml.lang', name: 'TOML', version: '1.10' },
+    // The newer version doesn't support the IDE
+    { xmlId: 'org.intellij.plugins.markdown', name: 'Markdown', version: '1.0' },
+    { xmlId: 'com.example.gone', name: 'Gone', version: '1.0' },
+  ]);
+
+  const result = await runCli(['outdated', '--ide', ide, '--json'], { home, marketplace: marketplace.url });
+
+  assert.equal(result.code, 0, result.stderr);
+  const [{ checked, outdated, unknown }] = result.json.ides;
+  assert.equal(checked, 4);
+  assert.deepEqual(outdated.map(p => [p.xmlId, p.current, p.available, p.updateId, p.channel]), [['org.rust.lang', '1.0', '2.0', 12, 'eap']]);
+  assert.deepEqual(unknown, ['com.example.gone']);
+});
+
+test('outdated exits 2 when everything is up to date', async (t) => {
+  const marketplace = await startMarketplace(marketplaceHandler);
+  t.after(marketplace.close);
+  const home = makeHome();
+  const ide = makeIde(home, [{ xmlId: 'org.rust.lang', name: 'Rust', version: '2.0' }]);
+
+  const result = await runCli(['outdated', '--ide', ide, '--json'], { home, marketplace: marketplace.url });
+
+  assert.equal(result.code, 2, result.stderr);
+  assert.deepEqual(result.json.ides[0].outdated, []);
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { makeHome, makeIde, runCli } from './helpers.js';
+
+const TOML = { xmlId: 'org.toml.lang', name: 'TOML', version: '1.0' };
+const RUST = { xmlId: 'org.rust.lang', name: 'Rust', version: '1.0', depends: ['org.toml.lang'] };
+const MARKDOWN = { xmlId: 'org.intellij.plugins.markdown', name: 'Markdown', version: '1.0' };
+
+/**
+ * Path of the test IDE's disabled_plugins.txt
+ * @param {string} home - Test home directory
+ * @returns {string} File path
+ */
+const disabledFile = home => path.join(home, '.config', 'JetBrains', 'IntelliJIdea2024.1', 'disabled_plugins.txt');
+
+test('a user-installed copy of a bundled plugin is only counted once', async () => {
+  const home = makeHome();
+  const ide = makeIde(home, [{ ...RUST, version: '2.0' }], { bundled: [TOML, RUST] });
+
+  const result = await runCli(['disable', 'org.toml.lang', '--ide', ide, '--json'], { home, marketplace: 'http://127.0.0.1:9' });
+
+  assert.equal(result.code, 0, result.stdout);
+  assert.deepEqual(result.json.disabled, ['org.toml.lang']);
+  assert.deepEqual(result.json.warnings, ['TOML is needed by Rust']);
+});
+
+test('disable and enable only report plugins whose state changed', async () => {
+  const home = makeHome();
+  const ide = makeIde(home, [TOML, MARKDOWN]);
+  fs.mkdirSync(path.dirname(disabledFile(home)), { recursive: true });
+  fs.writeFileSync(disabledFile(home), 'com.example.removed\norg.toml.lang\n');
+  const run = args => runCli([...args, '--ide', ide, '--json'], { home, marketplace: 'http://127.0.0.1:9' });
+
+  const disabled = await run(['disable', 'org.toml.lang', 'org.intellij.plugins.markdown']);
+  assert.equal(disabled.code, 0, disabled.stdout);
+  assert.deepEqual(disabled.json.disabled, ['org.intellij.plugins.markdown']);
+  // Entries for plugins that aren't installed are kept
+  assert.equal(fs.readFileSync(disabledFile(home), 'utf-8'), 'com.example.removed\norg.intellij.plugins.markdown\norg.toml.lang\n');
+
+  const enabled = await run(['enable', 'org.toml.lang', 'org.rust.lang']);
+  assert.deepEqual(enabled.json.enabled, ['org.toml.lang']);
+  assert.equal(fs.readFileSync(disabledFile(home), 'utf-8'), 'com.example.removed\norg.intellij.plugins.markdown\n');
+
+  const listed = await run(['disabled']);
+  assert.deepEqual(listed.json.plugins.map(p => [p.xmlId, p.bundled]), [['com.example.removed', null], ['org.intellij.plugins.markdown', false]]);
+
+  const all = await run(['enable', '--all']);
+  assert.deepEqual(all.json.enabled.sort(), ['com.example.removed', 'org.intellij.plugins.markdown']);
+  assert.equal(fs.readFileSync(disabledFile(home), 'utf-8'), '');
+});
+
+test('disabling a plugin that is not installed changes nothing', async () => {
+  const home = makeHome();
+  const ide = makeIde(home, [TOML]);
+
+  const result = await runCli(['disable', 'org.toml.lang', 'org.rust.lang', '--ide', ide, '--json'], { home, marketplace: 'http://127.0.0.1:9' });
+
+  assert.equal(result.code, 2, result.stdout);
+  assert.deepEqual(result.json.missing, ['org.rust.lang']);
+  assert.ok(!fs.existsSync(disabledFile(home)));
+});
+
+test('disable --not-in-basket keeps the basket and what it depends on', async () => {
+  const home = makeHome();
+  const ide = makeIde(home, [TOML, RUST, MARKDOWN]);
+  fs.writeFileSync(path.join(home, 'jb-plugins.json'), JSON.stringify({ plugins: ['org.rust.lang'] }));
+
+  const result = await runCli(['disable', '--not-in-basket', '--ide', ide, '--json'], { home, marketplace: 'http://127.0.0.1:9' });
+
+  assert.equal(result.code, 0, result.stdout);
+  assert.deepEqual(result.json.disabled, ['org.intellij.plugins.markdown']);
+});
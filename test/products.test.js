@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { makeHome, runCli } from './helpers.js';
+
+// Install directory names as unpacked from JetBrains tarballs, and the product each one is
+const INSTALLS = [
+  ['idea-IC-241.15989.150', 'idea', 'IC'],
+  ['idea-IU-241.15989.150', 'idea', 'IU'],
+  ['pycharm-community-2024.1', 'pycharm', 'PC'],
+  ['pycharm-2024.1', 'pycharm', 'PY'],
+  ['WebStorm-241.15989.155', 'webstorm', 'WS'],
+  ['RustRover-2024.1', 'rustrover', 'RR'],
+  ['clion-2024.1', 'clion', 'CL'],
+];
+
+/**
+ * Unpack fake IDEs, without product-info.json, where the tool looks for Linux installations
+ * @param {string} home - Test home directory
+ * @returns {string} Directory holding them
+ */
+function makeInstalls(home) {
+  const appsDir = path.join(home, '.local', 'share', 'JetBrains', 'Toolbox', 'apps');
+  for (const [dir, launcher] of INSTALLS) {
+    fs.mkdirSync(path.join(appsDir, dir, 'bin'), { recursive: true });
+    fs.writeFileSync(path.join(appsDir, dir, 'bin', `${launcher}.sh`), '#!/bin/sh\n', { mode: 0o755 });
+  }
+  return appsDir;
+}
+
+/**
+ * Products of the detected IDEs under a directory, by install directory name
+ */
+function productsIn(result, dir) {
+  return Object.fromEntries(result.json.ides
+    .filter(r => r.ide.path.startsWith(dir + path.sep))
+    .map(r => [path.basename(path.dirname(path.dirname(r.ide.path))), r.ide.product]));
+}
+
+test('installations are told apart by their directory names, editions before the plain product', async () => {
+  const home = makeHome();
+  const appsDir = makeInstalls(home);
+
+  const result = await runCli(['installed', '--json'], { home, marketplace: 'http://127.0.0.1:9' });
+
+  assert.deepEqual(productsIn(result, appsDir), Object.fromEntries(INSTALLS.map(([dir, , code]) => [dir, code])));
+});
+
+test('--product only looks at installations of that product', async () => {
+  const home = makeHome();
+  const appsDir = makeInstalls(home);
+
+  const result = await runCli(['installed', '--product', 'PC', '--json'], { home, marketplace: 'http://127.0.0.1:9' });
+
+  assert.deepEqual(productsIn(result, appsDir), { 'pycharm-community-2024.1': 'PC' });
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { startMarketplace, sendJson, makeHome, runCli } from './helpers.js';
+
+/**
+ * Know one plugin, org.rust.lang
+ */
+function marketplaceHandler(req, res, url) {
+  if (url.pathname === '/api/searchPlugins') {
+    return sendJson(res, { plugins: [{ id: 1, xmlId: 'org.rust.lang', name: 'Rust', vendor: { name: 'JetBrains' } }] });
+  }
+  sendJson(res, {}, 404);
+}
+
+test('a mistyped --profile is refused instead of created', async (t) => {
+  const marketplace = await startMarketplace(marketplaceHandler);
+  t.after(marketplace.close);
+  const home = makeHome();
+
+  const result = await runCli(['add', 'org.rust.lang', '--skip-deps', '--profile', 'bakend', '--json'], { home, marketplace: marketplace.url });
+
+  assert.equal(result.code, 2);
+  assert.match(result.json.error, /No profile named "bakend"/);
+  assert.ok(!fs.existsSync(path.join(home, '.jb-plugins-config.json')));
+});
+
+test('profiles create makes a profile usable with --profile', async (t) => {
+  const marketplace = await startMarketplace(marketplaceHandler);
+  t.after(marketplace.close);
+  const home = makeHome();
+
+  const created = await runCli(['profiles', 'create', 'backend'], { home, marketplace: marketplace.url });
+  assert.equal(created.code, 0, created.stderr);
+  const added = await runCli(['add', 'org.rust.lang', '--skip-deps', '--profile', 'backend', '--json'], { home, marketplace: marketplace.url });
+  assert.equal(added.code, 0, added.stderr);
+
+  const listed = await runCli(['profiles', '--json'], { home, marketplace: marketplace.url });
+  assert.deepEqual(listed.json.profiles.find(p => p.name === 'backend'), { name: 'backend', active: false, plugins: 1 });
+});
+
+test('the default profile works before anything is saved', async (t) => {
+  const marketplace = await startMarketplace(marketplaceHandler);
+  t.after(marketplace.close);
+
+  const result = await runCli(['list', '--profile', 'default', '--json'], { home: makeHome(), marketplace: marketplace.url });
+
+  assert.equal(result.json.error, undefined);
+  assert.deepEqual(result.json.plugins, []);
+});
@@ -0,0 +1,169 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { startMarketplace, sendJson, makeHome, runCli } from './helpers.js';
+
+const PLUGINS = [
+  { id: 1, xmlId: 'org.rust.lang', name: 'Rust', downloads: 5000000, rating: 4.1, vendor: { name: 'JetBrains' }, link: '/plugin/1-rust' },
+  { id: 2, xmlId: 'com.example.rusty', name: 'Rusty Theme', downloads: 1200, rating: 3.2, vendor: { name: 'Example' }, link: '/plugin/2' },
+];
+
+/**
+ * Answer browse API searches from PLUGINS
+ */
+function browseHandler(req, res, url) {
+  if (url.pathname !== '/api/searchPlugins') return sendJson(res, {}, 404);
+  const query = url.searchParams.get('search').toLowerCase();
+  sendJson(res, { plugins: PLUGINS.filter(p => p.name.toLowerCase().includes(query)) });
+}
+
+test('search queries the configured marketplace and prints the matches', async (t) => {
+  const marketplace = await startMarketplace(browseHandler);
+  t.after(marketplace.close);
+
+  const result = await runCli(['search', 'rust', '--json'], { home: makeHome(), marketplace: marketplace.url });
+
+  assert.equal(result.code, 0, result.stderr);
+  assert.deepEqual(result.json.plugins.map(p => p.xmlId), ['org.rust.lang', 'com.example.rusty']);
+  assert.equal(result.json.plugins[0].url, `${marketplace.url}/plugin/1-rust`);
+  assert.equal(marketplace.requests[0].path, '/api/searchPlugins');
+  assert.equal(marketplace.requests[0].query.get('search'), 'rust');
+});
+
+test('search applies filters to the results', async (t) => {
+  const marketplace = await startMarketplace(browseHandler);
+  t.after(marketplace.close);
+
+  const result = await runCli(['search', 'rust', 'vendor:jetbrains', '--json'], { home: makeHome(), marketplace: marketplace.url });
+
+  assert.equal(result.code, 0, result.stderr);
+  assert.deepEqual(result.json.plugins.map(p => p.xmlId), ['org.rust.lang']);
+});
+
+test('a filter without an operand is searched for as text', async (t) => {
+  const marketplace = await startMarketplace(browseHandler);
+  t.after(marketplace.close);
+
+  const result = await runCli(['search', 'rust', 'rating:>=', '--json'], { home: makeHome(), marketplace: marketplace.url });
+
+  assert.equal(marketplace.requests[0].query.get('search'), 'rust rating:>=');
+  assert.deepEqual(result.json.plugins, []);
+});
+
+test('search exits 2 when nothing matches', async (t) => {
+  const marketplace = await startMarketplace(browseHandler);
+  t.after(marketplace.close);
+
+  const result = await runCli(['search', 'kotlin', '--json'], { home: makeHome(), marketplace: marketplace.url });
+
+  assert.equal(result.code, 2);
+  assert.deepEqual(result.json.plugins, []);
+});
+
+test('search answers from the cache with --offline', async (t) => {
+  const marketplace = await startMarketplace(browseHandler);
+  t.after(marketplace.close);
+  const home = makeHome();
+
+  await runCli(['search', 'rust', '--json'], { home, marketplace: marketplace.url });
+  const result = await runCli(['search', 'rust', '--offline', '--json'], { home, marketplace: marketplace.url });
+
+  assert.equal(result.code, 0, result.stderr);
+  assert.equal(result.json.plugins.length, 2);
+  assert.equal(marketplace.requests.length, 1);
+});
+
+/**
+ * Move every cached response back in time
+ * @param {string} home - Test home directory
+ * @param {number} ms - How far back
+ */
+function ageCache(home, ms) {
+  const cacheDir = path.join(home, '.jb-plugins', 'cache');
+  for (const name of fs.readdirSync(cacheDir)) {
+    const file = path.join(cacheDir, name);
+    const entry = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    fs.writeFileSync(file, JSON.stringify({ ...entry, fetchedAt: entry.fetchedAt - ms }));
+  }
+}
+
+test('cached searches are reused for an hour and fetched again after that', async (t) => {
+  const marketplace = await startMarketplace(browseHandler);
+  t.after(marketplace.close);
+  const home = makeHome();
+
+  await runCli(['search', 'rust', '--json'], { home, marketplace: marketplace.url });
+  ageCache(home, 59 * 60 * 1000);
+  await runCli(['search', 'rust', '--json'], { home, marketplace: marketplace.url });
+  assert.equal(marketplace.requests.length, 1);
+
+  ageCache(home, 2 * 60 * 1000);
+  const result = await runCli(['search', 'rust', '--json'], { home, marketplace: marketplace.url });
+  assert.equal(result.code, 0, result.stderr);
+  assert.equal(marketplace.requests.length, 2);
+});
+
+test('a stale cached search is used when the marketplace cannot be reached', async () => {
+  const marketplace = await startMarketplace(browseHandler);
+  const home = makeHome();
+  await runCli(['search', 'rust', '--json'], { home, marketplace: marketplace.url });
+  ageCache(home, 24 * 60 * 60 * 1000);
+  await marketplace.close();
+
+  const result = await runCli(['search', 'rust', '--json'], { home, marketplace: marketplace.url });
+
+  assert.equal(result.code, 0, result.stderr);
+  assert.equal(result.json.plugins.length, 2);
+});
+
+test('--offline fails for a search that was never cached', async (t) => {
+  const marketplace = await startMarketplace(browseHandler);
+  t.after(marketplace.close);
+
+  const result = await runCli(['search', 'rust', '--offline', '--json'], { home: makeHome(), marketplace: marketplace.url });
+
+  assert.equal(result.code, 3);
+  assert.match(result.json.error, /not available offline/);
+  assert.equal(marketplace.requests.length, 0);
+});
+
+const RANKED = [
+  { id: 3, xmlId: 'com.example.trust', name: 'Trustworthy Theme', downloads: 10000000 },
+  { id: 4, xmlId: 'org.rust.lang', name: 'Rust', downloads: 1000 },
+  { id: 5, xmlId: 'com.example.rustdocs', name: 'Rust Docs', downloads: 1000000 },
+  { id: 6, xmlId: 'org.intellij.plugins.markdown', name: 'Markdown', downloads: 5000 },
+];
+
+/**
+ * Answer every browse API search with RANKED, leaving the matching to the CLI
+ */
+function rankedHandler(req, res) {
+  sendJson(res, { plugins: RANKED });
+}
+
+/**
+ * Search the RANKED plugins
+ * @param {Object} t - Test context
+ * @param {string} query - Search text
+ * @returns {Promise<Array<string>>} IDs of the results, in order
+ */
+async function searchRanked(t, query) {
+  const marketplace = await startMarketplace(rankedHandler);
+  t.after(marketplace.close);
+  const result = await runCli(['search', query, '--json'], { home: makeHome(), marketplace: marketplace.url });
+  return result.json.plugins.map(p => p.xmlId);
+}
+
+test('a whole-word match outranks a more popular plugin that only contains the text', async (t) => {
+  assert.deepEqual(await searchRanked(t, 'rust'), ['com.example.rustdocs', 'org.rust.lang', 'com.example.trust']);
+});
+
+test('search tolerates a typo in longer words', async (t) => {
+  // Equally close matches are ordered by downloads
+  assert.deepEqual(await searchRanked(t, 'rsut'), ['com.example.rustdocs', 'org.rust.lang']);
+  assert.deepEqual(await searchRanked(t, 'markdwn'), ['org.intellij.plugins.markdown']);
+  assert.deepEqual(await searchRanked(t, 'mrakdwon'), ['org.intellij.plugins.markdown']);
+  // Words under four letters have to be typed correctly
+  assert.deepEqual(await searchRanked(t, 'rsu'), []);
+});
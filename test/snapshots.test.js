@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import net from 'net';
+import path from 'path';
+import AdmZip from 'adm-zip';
+import { makeHome, makeIde, makePluginArchive, runCli } from './helpers.js';
+
+/**
+ * Write a snapshot of a plugins directory the way the CLI stores them
+ * @param {string} home - Test home directory
+ * @param {string} pluginsDir - Plugins directory the snapshot was taken of
+ * @param {number} index - Orders snapshots, higher is newer
+ * @param {Object} plugin - Plugin in the snapshot, as for makePluginArchive
+ * @returns {string} Snapshot ID
+ */
+function writeSnapshot(home, pluginsDir, index, plugin) {
+  const snapshotDir = path.join(home, '.jb-plugins', 'snapshots');
+  const createdAt = new Date(Date.UTC(2024, 0, 1, 0, index)).toISOString();
+  const id = createdAt.replace(/[:.]/g, '-');
+
+  const zip = new AdmZip();
+  for (const entry of new AdmZip(makePluginArchive(plugin)).getEntries()) {
+    zip.addFile(`plugins/${entry.entryName}`, entry.getData());
+  }
+  fs.mkdirSync(snapshotDir, { recursive: true });
+  zip.writeZip(path.join(snapshotDir, `${id}.zip`));
+  fs.writeFileSync(path.join(snapshotDir, `${id}.json`), JSON.stringify({
+    id,
+    createdAt,
+    reason: 'download',
+    idePath: null,
+    ideName: null,
+    pluginsDir,
+    disabledFile: null,
+    plugins: [{ xmlId: plugin.xmlId, name: plugin.name, version: plugin.version }],
+    size: fs.statSync(path.join(snapshotDir, `${id}.zip`)).size,
+  }));
+  return id;
+}
+
+test('rolling back to the oldest snapshot keeps it until it is restored', async () => {
+  const home = makeHome();
+  const pluginsDir = path.join(home, 'plugins');
+  fs.mkdirSync(pluginsDir);
+  const ids = Array.from({ length: 10 }, (_, i) => writeSnapshot(home, pluginsDir, i, { xmlId: `plugin.${i}`, name: `Plugin${i}`, version: '1.0' }));
+
+  const result = await runCli(['rollback', '10', '--json'], { home, marketplace: 'http://127.0.0.1:9' });
+
+  assert.equal(result.code, 0, result.stderr);
+  assert.equal(result.json.restored.id, ids[0]);
+  assert.deepEqual(fs.readdirSync(pluginsDir), ['Plugin0']);
+  assert.ok(fs.existsSync(path.join(pluginsDir, 'Plugin0', 'lib', 'Plugin0.jar')));
+});
+
+test('a rollback restores file modes and empty directories', async () => {
+  const home = makeHome();
+  const pluginsDir = path.join(home, 'plugins');
+  fs.mkdirSync(path.join(pluginsDir, 'Tool', 'bin'), { recursive: true });
+  fs.mkdirSync(path.join(pluginsDir, 'Tool', 'cache'));
+  fs.writeFileSync(path.join(pluginsDir, 'Tool', 'bin', 'run.sh'), '#!/bin/sh\n', { mode: 0o755 });
+  writeSnapshot(home, pluginsDir, 0, { xmlId: 'plugin.0', name: 'Plugin0', version: '1.0' });
+
+  // Rolling back snapshots the current directory first; restoring that snapshot brings it back
+  const rollback = await runCli(['rollback', '1', '--json'], { home, marketplace: 'http://127.0.0.1:9' });
+  assert.equal(rollback.code, 0, rollback.stderr);
+  const result = await runCli(['rollback', rollback.json.before.id, '--json'], { home, marketplace: 'http://127.0.0.1:9' });
+
+  assert.equal(result.code, 0, result.stderr);
+  assert.equal(fs.statSync(path.join(pluginsDir, 'Tool', 'bin', 'run.sh')).mode & 0o777, 0o755);
+  assert.ok(fs.statSync(path.join(pluginsDir, 'Tool', 'cache')).isDirectory());
+});
+
+test('a dangling symlink in the plugins directory does not stop the snapshot', async () => {
+  const home = makeHome();
+  const pluginsDir = path.join(home, 'plugins');
+  fs.mkdirSync(path.join(pluginsDir, 'Tool'), { recursive: true });
+  fs.writeFileSync(path.join(pluginsDir, 'Tool', 'tool.jar'), 'jar');
+  fs.symlinkSync(path.join(home, 'missing'), path.join(pluginsDir, 'Tool', 'broken'));
+  writeSnapshot(home, pluginsDir, 0, { xmlId: 'plugin.0', name: 'Plugin0', version: '1.0' });
+
+  const result = await runCli(['rollback', '1', '--json'], { home, marketplace: 'http://127.0.0.1:9' });
+
+  assert.equal(result.code, 0, result.stdout);
+  const before = new AdmZip(path.join(home, '.jb-plugins', 'snapshots', `${result.json.before.id}.zip`));
+  assert.deepEqual(before.getEntries().map(e => e.entryName).sort(), ['plugins/Tool/', 'plugins/Tool/tool.jar']);
+});
+
+test('rolling back a snapshot without an IDE checks the IDE given with --ide', async (t) => {
+  const home = makeHome();
+  const ide = makeIde(home);
+  const pluginsDir = path.join(home, 'plugins');
+  const id = writeSnapshot(home, pluginsDir, 0, { xmlId: 'plugin.0', name: 'Plugin0', version: '1.0' });
+
+  const unchecked = await runCli(['rollback', id, '--json'], { home, marketplace: 'http://127.0.0.1:9' });
+  assert.equal(unchecked.code, 0, unchecked.stdout);
+  assert.match(unchecked.json.warnings[0], /pass --ide/);
+
+  // Make the IDE look running: a listener named in its .port file
+  const server = net.createServer(socket => socket.end());
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  const systemDir = path.join(home, '.cache', 'JetBrains', 'IntelliJIdea2024.1');
+  fs.mkdirSync(systemDir, { recursive: true });
+  fs.writeFileSync(path.join(systemDir, '.port'), String(server.address().port));
+
+  const result = await runCli(['rollback', id, '--ide', ide, '--json'], { home, marketplace: 'http://127.0.0.1:9' });
+
+  assert.equal(result.code, 4, result.stdout);
+});
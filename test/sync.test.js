@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { makeHome, makeIde, runCli } from './helpers.js';
+
+test('sync plans what it takes to make the IDE match the basket', async () => {
+  const home = makeHome();
+  const ide = makeIde(home, [
+    { xmlId: 'org.rust.lang', name: 'Rust', version: '1.0' },
+    { xmlId: 'org.toml.lang', name: 'TOML', version: '1.2', depends: ['com.example.lib'] },
+    { xmlId: 'org.intellij.plugins.markdown', name: 'Markdown', version: '1.0' },
+    { xmlId: 'com.example.lib', name: 'Lib', version: '1.0' },
+    { xmlId: 'com.example.junk', name: 'Junk', version: '1.0' },
+  ], { bundled: [{ xmlId: 'org.jetbrains.plugins.yaml', name: 'YAML', version: '241.1' }] });
+  const configDir = path.join(home, '.config', 'JetBrains', 'IntelliJIdea2024.1');
+  fs.mkdirSync(configDir, { recursive: true });
+  fs.writeFileSync(path.join(configDir, 'disabled_plugins.txt'), 'org.intellij.plugins.markdown\ncom.example.junk\n');
+  fs.writeFileSync(path.join(home, 'jb-plugins.json'), JSON.stringify({
+    plugins: [
+      { id: 'org.rust.lang', name: 'Rust', version: '2.0', updateId: 12 },
+      { id: 'org.toml.lang', name: 'TOML', version: '^1.0' },
+      'org.intellij.plugins.markdown',
+      'org.jetbrains.plugins.yaml',
+      'org.jetbrains.plugins.go',
+    ],
+  }));
+
+  const result = await runCli(['sync', '--ide', ide, '--json'], { home, marketplace: 'http://127.0.0.1:9' });
+
+  assert.equal(result.code, 0, result.stderr);
+  const { plan, changes, applied } = result.json;
+  assert.equal(changes, true);
+  assert.equal(applied, null);
+  assert.deepEqual(plan.install.map(p => p.xmlId), ['org.jetbrains.plugins.go']);
+  assert.deepEqual(plan.mismatched, [{ xmlId: 'org.rust.lang', name: 'Rust', version: '1.0', wanted: '2.0' }]);
+  assert.deepEqual(plan.disabled.map(p => p.xmlId), ['org.intellij.plugins.markdown']);
+  assert.deepEqual(plan.inSync.map(p => p.xmlId), ['org.toml.lang', 'org.jetbrains.plugins.yaml']);
+  assert.deepEqual(plan.extra.map(p => [p.xmlId, p.disabled, p.neededBy]).sort(), [
+    ['com.example.junk', true, []],
+    ['com.example.lib', false, ['TOML']],
+  ]);
+});
+
+test('sync reports no changes when the IDE already matches', async () => {
+  const home = makeHome();
+  const ide = makeIde(home, [{ xmlId: 'org.rust.lang', name: 'Rust', version: '2.0' }]);
+  fs.writeFileSync(path.join(home, 'jb-plugins.json'), JSON.stringify({ plugins: [{ id: 'org.rust.lang', version: '>=2.0' }] }));
+
+  const result = await runCli(['sync', '--ide', ide, '--apply', '--json'], { home, marketplace: 'http://127.0.0.1:9' });
+
+  assert.equal(result.code, 0, result.stderr);
+  assert.equal(result.json.changes, false);
+  assert.equal(result.json.applied, null);
+});
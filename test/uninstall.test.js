@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { makeHome, makeIde, runCli } from './helpers.js';
+
+const RUST = { xmlId: 'org.rust.lang', name: 'Rust', version: '1.0' };
+const TOML = { xmlId: 'org.toml.lang', name: 'TOML', version: '1.0' };
+
+/**
+ * Run a command against a test IDE
+ * @param {string} home - Test home directory
+ * @param {string} ide - Launcher path
+ * @param {Array<string>} args - Command line arguments
+ */
+const run = (home, ide, args) => runCli([...args, '--ide', ide, '--json'], { home, marketplace: 'http://127.0.0.1:9' });
+
+test('uninstall --undo puts the removed plugins back', async () => {
+  const home = makeHome();
+  const ide = makeIde(home, [RUST, TOML]);
+  const pluginsDir = path.join(home, '.local', 'share', 'JetBrains', 'IntelliJIdea2024.1');
+  const jar = path.join(pluginsDir, 'Rust', 'lib', 'Rust.jar');
+  const contents = fs.readFileSync(jar);
+
+  const removed = await run(home, ide, ['uninstall', 'org.rust.lang', 'org.toml.lang']);
+  assert.equal(removed.code, 0, removed.stdout);
+  assert.deepEqual(fs.readdirSync(pluginsDir), []);
+
+  const result = await run(home, ide, ['uninstall', '--undo']);
+
+  assert.equal(result.code, 0, result.stdout);
+  assert.deepEqual(result.json.results.map(r => [r.xmlId, r.status]), [['org.rust.lang', 'restored'], ['org.toml.lang', 'restored']]);
+  assert.deepEqual(fs.readFileSync(jar), contents);
+  assert.ok(!fs.existsSync(removed.json.backupDir));
+
+  const again = await run(home, ide, ['uninstall', '--undo']);
+  assert.equal(again.code, 2, again.stdout);
+});
+
+test('uninstall --undo does not overwrite a plugin installed since', async () => {
+  const home = makeHome();
+  const ide = makeIde(home, [RUST]);
+  const removed = await run(home, ide, ['uninstall', 'org.rust.lang']);
+  makeIde(home, [{ ...RUST, version: '2.0' }]);
+
+  const result = await run(home, ide, ['uninstall', '--undo']);
+
+  assert.equal(result.code, 1, result.stdout);
+  assert.equal(result.json.results[0].status, 'failed');
+  assert.match(result.json.results[0].message, /already exists/);
+  // The backup stays so nothing is lost
+  assert.ok(fs.existsSync(removed.json.backupDir));
+});
+
+test('uninstall --undo only restores backups of the chosen IDE', async () => {
+  const home = makeHome();
+  const idea = makeIde(home, [RUST]);
+  const other = makeIde(home, [], { dir: 'other', dataDirectoryName: 'IntelliJIdea2023.3' });
+  await run(home, idea, ['uninstall', 'org.rust.lang']);
+
+  const result = await run(home, other, ['uninstall', '--undo']);
+
+  assert.equal(result.code, 2, result.stdout);
+  assert.equal((await run(home, idea, ['uninstall', '--undo'])).code, 0);
+});
+
+test('bundled plugins cannot be uninstalled', async () => {
+  const home = makeHome();
+  const ide = makeIde(home, [], { bundled: [TOML] });
+
+  const result = await run(home, ide, ['uninstall', 'org.toml.lang']);
+
+  assert.equal(result.code, 2, result.stdout);
+  assert.deepEqual(result.json.missing, ['org.toml.lang']);
+});